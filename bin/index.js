@@ -2,38 +2,333 @@
 
 /* eslint-disable no-console */
 
-import { Worker, isMainThread, threadId } from 'worker_threads'
+import { Worker, isMainThread, threadId, parentPort } from 'worker_threads'
+import fs from 'fs'
 import os from 'os'
 import path from 'path'
+import crypto from 'crypto'
+import { pathToFileURL } from 'url'
 import ustatic from '../index.js'
+import { formats } from '../log.js'
+import { merge } from '../metrics.js'
 import uws from 'uWebSockets.js'
 
-const argv = process.argv.slice(2)
-    , cwd = process.cwd()
-    , cpus = parseInt(argv.find((x, i, xs) => xs[i - 1] === '--threads') || os.cpus().length)
-    , folder = argv.find(x => x[0] !== '-') || '.'
-    , abs = folder[0] === '/' ? folder : path.join(cwd, folder)
-    , port = process.env.PORT || (process.env.SSL_CERT ? 443 : 80)
+const flags = {
+  port: ['number', '<port>', 'Port to listen on (PORT, or 443 with TLS and 80 without)'],
+  host: ['string', '<host>', 'Host to listen on (all interfaces)'],
+  threads: ['number', '<n>', 'Worker threads on linux (one per cpu)'],
+  config: ['string', '<file>', 'Config file (ustatic.config.js or ustatic.config.json)'],
+  cert: ['string', '<file>', 'TLS certificate (SSL_CERT)'],
+  key: ['string', '<file>', 'TLS private key (SSL_KEY)'],
+  passphrase: ['string', '<text>', 'TLS key passphrase (SSL_PASSPHRASE)'],
+  httpRedirect: ['optional', '[port]', 'Redirect plain http on this port (80) to https', x => /^\d+$/.test(x)],
+  header: ['repeat', '<name: value>', 'Add a response header, repeatable'],
+  base: ['string', '<path>', 'Url path the folder is served under'],
+  index: ['boolean', '', 'Resolve extensionless urls to html files (on)'],
+  cache: ['boolean', '', 'Keep small files in memory'],
+  warm: ['boolean', '', 'Load cacheable files into memory before listening'],
+  watch: ['boolean', '', 'Evict cached files when they change'],
+  compress: ['boolean', '', 'Compress responses (on)'],
+  compressions: ['list', '<a,b>', 'Encodings in order of preference'],
+  zstdLevel: ['number', '<n>', 'Zstandard compression level (3)'],
+  precompressed: ['boolean', '', 'Serve .br, .gz and .zst files next to the originals'],
+  lastModified: ['boolean', '', 'Send Last-Modified (on)'],
+  etag: ['optional', '[hash]', 'Send ETags, from a content hash like sha1 if given (on)', x => crypto.getHashes().indexOf(x) !== -1],
+  cacheControl: ['string', '<value>', 'Cache-Control for every file, or auto'],
+  minStreamSize: ['number', '<bytes>', 'Stream files from this size'],
+  maxCacheSize: ['number', '<bytes>', 'Cache files below this size'],
+  maxCacheMemory: ['number', '<bytes>', 'Total size of the cache'],
+  minCompressSize: ['number', '<bytes>', 'Compress files from this size'],
+  statCacheSize: ['number', '<n>', 'File lookups to remember'],
+  statCacheTtl: ['number', '<ms>', 'How long file lookups are remembered'],
+  highWaterMark: ['number', '<bytes>', 'Read size when streaming'],
+  spa: ['optional', '[file.html]', 'Serve /index.html, or the given file, for unknown urls', x => x.endsWith('.html')],
+  cleanUrls: ['boolean', '', 'Serve html files without their extension'],
+  trailingSlash: ['string', '<policy>', 'always, never or ignore'],
+  redirects: ['optional', '[file]', 'Redirect and rewrite rules (_redirects)', x => /(^|\/)_redirects$|\.json$/.test(x)],
+  errorPages: ['boolean', '', 'Serve 404.html and 500.html'],
+  listing: ['boolean', '', 'List folders without an index file'],
+  dotfiles: ['string', '<policy>', 'ignore, deny or allow'],
+  allow: ['repeat', '<glob>', 'Always serve matching urls, repeatable'],
+  deny: ['repeat', '<glob>', 'Answer matching urls with 403, repeatable'],
+  symlinks: ['string', '<policy>', 'within, deny or follow'],
+  log: ['optional', '[format]', 'Access log as combined, common or json', x => x in formats],
+  logFile: ['string', '<file>', 'Write the access log to a file'],
+  metrics: ['boolean', '', 'Expose Prometheus metrics'],
+  metricsPath: ['string', '<path>', 'Url of the metrics (/metrics)'],
+  help: ['boolean', '', 'Show this help'],
+  version: ['boolean', '', 'Show the version']
+}
+
+const cli = parse(process.argv.slice(2))
+
+if (cli.help)
+  exit(help())
+
+if (cli.version)
+  exit(JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version)
+
+const {
+  _: [folderArg],
+  folder,
+  port: portArg,
+  host,
+  threads,
+  cert = process.env.SSL_CERT,
+  key = process.env.SSL_KEY,
+  passphrase = process.env.SSL_PASSPHRASE,
+  httpRedirect,
+  header = [],
+  warm = false,
+  compress,
+  log,
+  logFile,
+  metrics,
+  metricsPath,
+  ...settings
+} = { ...await loadConfig(cli.config), ...cli }
+
+const cwd = process.cwd()
+    , abs = path.resolve(cwd, folderArg || folder || '.')
+    , secure = !!(cert || key)
+    , port = Number(portArg || process.env.PORT || (secure ? 443 : 80))
+    , cpus = threads || os.cpus().length
     , supportsThreads = process.platform === 'linux'
 
+secure && !(cert && key) && fail('TLS needs both --cert and --key')
+
+const collecting = new Map()
+
+let collects = 0
+
 const options = {
-  index: argv.find((x, i, xs) => xs[i - 1] === '--index'),
-  secure: process.env.SSL_CERT,
-  cache: false || !!argv.find(x => x === '--cache'),
-  compressions: argv.find(x => x === '--no-compress') ? [] : undefined
+  ...settings,
+  secure: secure || settings.secure,
+  index: settings.index === true ? undefined : settings.index,
+  cache: warm || !!settings.cache,
+  headers: headers(settings.headers, header),
+  redirects: typeof settings.redirects === 'string' ? path.resolve(cwd, settings.redirects) : settings.redirects,
+  log: (log || logFile) && (typeof log === 'object' || typeof log === 'function'
+    ? log
+    : { format: typeof log === 'string' ? log : undefined, file: logFile }
+  ),
+  metrics: (metrics || metricsPath) && {
+    path: metricsPath || (typeof metrics === 'string' ? metrics : '/metrics'),
+    collect: supportsThreads && !isMainThread && collect
+  },
+  compressions: compress === false ? [] : settings.compressions
 }
 
 if (supportsThreads && isMainThread) {
-  for (let i = 0; i < cpus; i++)
-    new Worker(new URL(import.meta.url), { argv }) // eslint-disable-line
+  const workers = []
+      , collections = new Map()
+
+  let tokens = 0
+
+  for (let i = 0; i < cpus; i++) {
+    const worker = new Worker(new URL(import.meta.url), { argv: process.argv.slice(2) })
+    options.metrics && worker.on('message', x => x.type === 'metrics' ? aggregate(worker, x.id) : gather(x))
+    workers.push(worker)
+  }
+
+  function aggregate(worker, id) {
+    const token = ++tokens
+        , timer = setTimeout(reply, 1000)
+        , collection = { snapshots: [], pending: workers.length, reply }
+
+    collections.set(token, collection)
+    workers.forEach(x => x.postMessage({ type: 'collect', token }))
+
+    function reply() {
+      clearTimeout(timer)
+      collections.delete(token)
+      worker.postMessage({ type: 'metrics', id, snapshot: merge(...collection.snapshots) })
+    }
+  }
+
+  function gather({ token, snapshot }) {
+    const collection = collections.get(token)
+    if (!collection)
+      return
+
+    collection.snapshots.push(snapshot)
+    --collection.pending || collection.reply()
+  }
 } else {
-  const app = uws.App()
-  app.get('/*', ustatic(abs, options))
-  app.listen(port, (token) => {
+  const app = secure
+    ? uws.SSLApp({ cert_file_name: cert, key_file_name: key, passphrase })
+    : uws.App()
+
+  const handler = ustatic(abs, options)
+  app.get('/*', handler)
+  app.head('/*', handler)
+
+  options.metrics && !isMainThread && parentPort.on('message', x => {
+    if (x.type === 'collect')
+      return parentPort.postMessage({ type: 'snapshot', token: x.token, snapshot: handler.metrics() })
+
+    if (x.type === 'metrics' && collecting.has(x.id)) {
+      collecting.get(x.id)(x.snapshot)
+      collecting.delete(x.id)
+    }
+  })
+
+  warm
+    ? handler.warm().then(x => {
+      if (isMainThread || threadId === cpus)
+        console.log('Warmed', x.files, 'files into', x.entries, 'cache entries of', x.bytes, 'bytes in', x.duration, 'ms @', threadId)
+      start()
+    }, error => {
+      console.log('Could not warm the cache:', error.message, '@', threadId)
+      start()
+    })
+    : start()
+
+  function start() {
+    listen(app, port, (token) => {
+      if (!token)
+        return console.log('Could not open port', port, '@', threadId)
+
+      if (isMainThread || threadId === cpus)
+        console.log('Serving', abs === cwd ? './' : abs.replace(cwd + '/', ''), 'on', (secure ? 'https://' : 'http://') + (host || 'localhost') + ':' + port, '@', threadId)
+    })
+
+    secure && httpRedirect && redirectHttp(httpRedirect === true ? 80 : Number(httpRedirect))
+  }
+}
+
+function redirectHttp(from) {
+  const app = uws.App().any('/*', (res, req) => {
+    const name = (req.getHeader('host') || host || 'localhost').replace(/:\d+$/, '')
+        , query = req.getQuery()
+
+    res.writeStatus('301 Moved Permanently')
+    res.writeHeader('Location', 'https://' + name + (port === 443 ? '' : ':' + port) + req.getUrl() + (query ? '?' + query : ''))
+    res.end()
+  })
+
+  listen(app, from, (token) => {
     if (!token)
-      return console.log('Could not open port', port, '@', threadId)
+      return console.log('Could not open port', from, 'to redirect http @', threadId)
 
     if (isMainThread || threadId === cpus)
-      console.log('Serving', abs === cwd ? './' : abs.replace(cwd + '/', ''), 'on', port, '@', threadId)
+      console.log('Redirecting http on', from, 'to https @', threadId)
   })
 }
+
+function listen(app, port, fn) {
+  host
+    ? app.listen(host, port, fn)
+    : app.listen(port, fn)
+}
+
+function collect() {
+  return new Promise(resolve => {
+    const id = ++collects
+    collecting.set(id, resolve)
+    parentPort.postMessage({ type: 'metrics', id })
+  })
+}
+
+function headers(x, xs) {
+  if (!xs.length)
+    return x
+
+  const extra = Object.fromEntries(xs.map(x => {
+    const i = x.indexOf(':')
+    i > 0 || fail('Headers must look like "Name: value", got ' + x)
+    return [x.slice(0, i).trim(), x.slice(i + 1).trim()]
+  }))
+
+  return typeof x === 'function'
+    ? (url, type) => ({ ...x(url, type), ...extra })
+    : { ...x, ...extra }
+}
+
+async function loadConfig(file) {
+  file = file
+    ? path.resolve(file)
+    : ['ustatic.config.js', 'ustatic.config.mjs', 'ustatic.config.json'].map(x => path.resolve(x)).find(x => fs.existsSync(x))
+
+  if (!file)
+    return {}
+
+  try {
+    return file.endsWith('.json')
+      ? JSON.parse(fs.readFileSync(file, 'utf8'))
+      : (await import(pathToFileURL(file))).default
+  } catch (error) {
+    fail('Could not load ' + file + ': ' + error.message)
+  }
+}
+
+function parse(argv) {
+  const x = { _: [] }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i] === '-h' ? '--help' : argv[i] === '-v' ? '--version' : argv[i]
+
+    if (arg[0] !== '-') {
+      x._.push(arg)
+      continue
+    }
+
+    const [flag, value] = arg.split(/=(.*)/s)
+        , negated = flag.startsWith('--no-')
+        , name = flag.slice(negated ? 5 : 2).replace(/-([a-z])/g, (_, x) => x.toUpperCase())
+        , [kind, , , accept] = flags[name] || []
+
+    kind || fail('Unknown option ' + flag + ', see --help')
+
+    if (negated) {
+      kind === 'boolean' || kind === 'optional' || fail('Unknown option ' + flag + ', see --help')
+      x[name] = false
+    } else if (kind === 'boolean') {
+      x[name] = value !== 'false'
+    } else if (kind === 'optional') {
+      x[name] = value !== undefined ? value
+        : i + 1 < argv.length && accept(argv[i + 1]) ? argv[++i]
+        : true
+    } else {
+      const raw = value !== undefined ? value : argv[++i]
+      raw === undefined && fail(flag + ' needs a value')
+
+      if (kind === 'number') {
+        x[name] = Number(raw)
+        isNaN(x[name]) && fail(flag + ' needs a number, got ' + raw)
+      } else if (kind === 'list') {
+        x[name] = raw.split(',').map(x => x.trim()).filter(x => x)
+      } else if (kind === 'repeat') {
+        (x[name] || (x[name] = [])).push(raw)
+      } else {
+        x[name] = raw
+      }
+    }
+  }
+
+  return x
+}
+
+function help() {
+  return [
+    'Usage: ustatic [folder] [options]',
+    '',
+    ...Object.entries(flags).map(([name, [, value, description]]) =>
+      '  ' + ('--' + name.replace(/[A-Z]/g, x => '-' + x.toLowerCase()) + ' ' + value).padEnd(32) + description
+    ),
+    '',
+    'Options without a value are turned off with --no-<option>.',
+    'The config file holds or exports an object like { folder, port, headers },',
+    'which can also set the ustatic() options that take functions.'
+  ].join('\n')
+}
+
+function exit(x) {
+  console.log(x)
+  process.exit(0)
+}
+
+function fail(x) {
+  console.error(x)
+  process.exit(1)
+}
@@ -1,9 +1,15 @@
 import fs from 'fs'
+import crypto from 'crypto'
 import fsp from 'fs/promises'
 import mimes, { compressable } from './mimes.js'
+import * as listings from './listing.js'
+import createLog from './log.js'
+import createMetrics, { format as formatMetrics } from './metrics.js'
+import createRedirects, { parse as parseRedirects } from './redirects.js'
 import path from 'path'
 import zlib from 'zlib'
 import { promisify } from 'node:util'
+import { Readable } from 'stream'
 
 const state = ustatic.state = Symbol('ustatic')
 
@@ -14,6 +20,8 @@ const compressors = {
   br: promisify(zlib.brotliCompress)
 }
 
+zlib.zstdCompress && (compressors.zstd = promisify(zlib.zstdCompress))
+
 const streamingCompressors = {
   identity: null,
   gzip: zlib.createGzip,
@@ -21,54 +29,472 @@ const streamingCompressors = {
   br: zlib.createBrotliCompress
 }
 
-const indexes = new Map()
+zlib.createZstdCompress && (streamingCompressors.zstd = zlib.createZstdCompress)
+
+const brotliModes = {
+  generic: zlib.constants.BROTLI_MODE_GENERIC,
+  text: zlib.constants.BROTLI_MODE_TEXT,
+  font: zlib.constants.BROTLI_MODE_FONT
+}
+
+const immutable = 'public, max-age=31536000, immutable'
+    , hashed = /(?:[.-](?=[a-f\d]*[a-f])(?=[a-f\d]*\d)[a-f\d]{6,}|\.(?=[\w-]*\d)(?=[\w-]*[A-Z])(?=[\w-]*[a-z])[\w-]{8,}|-(?=\w*\d)(?=\w*[A-Z])(?=\w*[a-z])\w{8,})(?:\.chunk)?\.[a-z\d]+$/
+    , external = /^[a-z][a-z\d+.-]*:/i
+
+const statuses = {
+  301: 'Moved Permanently',
+  302: 'Found',
+  307: 'Temporary Redirect',
+  308: 'Permanent Redirect',
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Not Found',
+  500: 'Internal Server Error'
+}
 
-const caches = {
-  deflate: new Map(),
-  gzip: new Map(),
-  br: new Map(),
-  identity: new Map()
+const precompressedExtensions = {
+  br: '.br',
+  gzip: '.gz',
+  zstd: '.zst'
 }
 
 export default function ustatic(folder = '', options = {}) {
   const {
     base = '',
-    root = path.isAbsolute(folder) ? folder : path.join(process.cwd(), folder),
+    root: rootFolder = path.isAbsolute(folder) ? folder : path.join(process.cwd(), folder),
     index = indexHandler,
     secure = false,
-    compressions = secure ? ['br', 'gzip', 'deflate'] : ['gzip', 'deflate'],
+    compressions = secure ? ['br', 'zstd', 'gzip', 'deflate'] : ['gzip', 'deflate'],
+    zstdLevel = 3,
+    compression = {},
+    streamCompression = {},
     lastModified = true,
     etag = true,
     cache = true,
     minStreamSize = 512 * 1024,
     maxCacheSize = 128 * 1024,
+    maxCacheMemory = 64 * 1024 * 1024,
+    statCacheSize = 10000,
+    statCacheTtl = 1000,
     minCompressSize = 1280,
     notFound = notFoundHandler,
     internalError = internalErrorHandler,
+    forbidden = forbiddenHandler,
+    badRequest = badRequestHandler,
+    errorPages = false,
     transform = null,
-    highWaterMark = 256 * 1024
+    highWaterMark = 256 * 1024,
+    watch = false,
+    precompressed = false,
+    cacheControl = null,
+    spa = false,
+    cleanUrls = false,
+    trailingSlash = 'ignore',
+    redirects = false,
+    listing = false,
+    dotfiles = 'ignore',
+    allow = ['/.well-known/**'],
+    deny = [],
+    symlinks = 'within',
+    headers = null,
+    onRequest = null,
+    onHeaders = null,
+    onResponse = null,
+    log = false,
+    metrics = false
   } = options
 
-  const urlIndex = root === folder ? 0 : base.length
+  oneOf('dotfiles', dotfiles, ['ignore', 'deny', 'allow'])
+  oneOf('symlinks', symlinks, ['within', 'deny', 'follow'])
+  oneOf('trailingSlash', trailingSlash, ['ignore', 'always', 'never'])
+
+  const root = path.resolve(rootFolder)
+      , rootDir = root.endsWith(path.sep) ? root : root + path.sep
+      , realRoot = realpath(root)
+      , realRootDir = realRoot.endsWith(path.sep) ? realRoot : realRoot + path.sep
+      , prefix = base.replace(/\/+$/, '')
+      , allowed = allow.map(toRegExp)
+      , encodings = (compressions || []).filter(x => x in compressors)
+      , denied = deny.map(toRegExp)
+      , sidecars = precompressed === true ? precompressedExtensions : precompressed || {}
+      , control = cacheControl && createCacheControl(cacheControl)
+      , shell = spa === true ? '/index.html' : spa
+      , caches = createCache(maxCacheMemory)
+      , lookups = new Map()
+      , pages = errorPages === true ? { 404: '404.html', 500: '500.html' } : errorPages || {}
+      , custom = {
+        400: badRequest !== badRequestHandler,
+        403: forbidden !== forbiddenHandler,
+        404: notFound !== notFoundHandler,
+        500: internalError !== internalErrorHandler
+      }
+      , lengths = new Map()
+      , digests = new Map()
+      , algorithm = typeof etag === 'string' && etag
+      , transforms = [].concat(transform || []).map(createTransform)
+      , logger = log && createLog(log)
+      , counters = metrics && createMetrics(caches)
+      , metricsPath = typeof metrics === 'string' ? metrics : metrics && metrics.path
+      , collect = metrics && metrics.collect || (() => counters.snapshot())
+      , reporting = !!(onResponse || logger || counters)
+      , rulesFile = typeof redirects === 'string' ? path.resolve(root, redirects) : redirects === true && path.join(root, '_redirects')
+      , rulesUrl = rulesFile && rulesFile.startsWith(rootDir) && toUrl(rulesFile)
+
+  let rules = Array.isArray(redirects)
+    ? createRedirects(redirects)
+    : rulesFile && readRedirects(rulesFile)
+
+  if (algorithm && crypto.getHashes().indexOf(algorithm) === -1)
+    throw new Error('Unknown etag hash ' + algorithm)
+
+  const watcher = cache && watch && watchTree(root, (_, x) =>
+    x ? evict(path.join(root, x)) : clear()
+  , clear)
+
+  const rulesWatcher = rulesFile && fs.watch(path.dirname(rulesFile), (_, x) =>
+    (!x || x === path.basename(rulesFile)) && reloadRedirects()
+  ).on('error', () => { /* Keep the rules loaded last */ })
+
+  rulesWatcher && rulesWatcher.unref()
+
+  handler.invalidate = invalidate
+  handler.clear = clear
+  handler.entries = entries
+  handler.stats = caches.stats
+  handler.warm = warm
+  handler.metrics = counters && counters.snapshot
+  handler.close = close
+
+  return handler
+
+  function handler(res, req) {
+    res.hasOwnProperty(state) || (res[state] = getState(req, res))
+
+    if (res[state].url === null)
+      return fail(res, req, 400)
+
+    if (!res[state].inside)
+      return fail(res, req, 404)
+
+    if (metricsPath && res[state].url === metricsPath)
+      return exposition(res, req)
+
+    if (!onRequest)
+      return route(res, req)
+
+    const x = onRequest(res, req)
+    x && typeof x.then === 'function'
+      ? requested(res, req, x)
+      : route(res, req, x)
+  }
+
+  async function requested(res, req, x) {
+    req = detach(req)
+    res.onAborted(() => aborted(res))
+    try {
+      x = await x
+      res.aborted || route(res, req, x)
+    } catch (error) {
+      res.aborted || fail(res, req, 500, error)
+    }
+  }
+
+  function route(res, req, x) {
+    if (x === true)
+      return
+
+    if (typeof x === 'string') {
+      res[state].url = x
+      res[state].ext = path.extname(x).slice(1)
+      return serve(res, req)
+    }
+
+    const rule = rules && rules(res[state].url, res[state].query)
+    rule
+      ? follow(res, req, rule)
+      : canonicalize(res, req)
+  }
+
+  async function follow(res, req, rule) {
+    if (!rule.force) {
+      req = detach(req)
+      res.onAborted(() => aborted(res))
+      const shadowed = await canRead(absolute(root, res[state].url))
+      if (res.aborted)
+        return
+
+      if (shadowed)
+        return canonicalize(res, req)
+    }
+
+    if (rule.status !== 200)
+      return redirect(res, rule.to, rule.status)
+
+    const url = decode(rule.to.split('?')[0])
+    if (url === null)
+      return fail(res, req, 400)
 
-  return (res, req) => {
-    res.hasOwnProperty(state) || (res[state] = getState(req))
+    res[state].url = url
+    res[state].ext = path.extname(url).slice(1)
+    serve(res, req)
+  }
+
+  function canonicalize(res, req) {
+    if (cleanUrls || trailingSlash !== 'ignore') {
+      const url = canonical(res[state].url)
+      if (url !== res[state].url)
+        return redirect(res, encodePath(url))
+    }
+
+    serve(res, req)
+  }
+
+  function serve(res, req) {
     !res[state].ext && index
       ? rewrite(res, req, index(res, req, indexHandler, root))
       : file(res, req)
   }
 
-  function getState(req) {
-    const url = decodeURIComponent(req.getUrl().slice(urlIndex))
+  async function exposition(res, req) {
+    req = detach(req)
+    res.onAborted(() => aborted(res))
+    try {
+      const body = formatMetrics(await collect())
+      res.aborted || res.cork(() => {
+        res.writeHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+        res.writeHeader('Cache-Control', 'no-store')
+        end(res, body)
+        done(res, 200)
+      })
+    } catch (error) {
+      res.aborted || fail(res, req, 500, error)
+    }
+  }
+
+  function canonical(url) {
+    if (cleanUrls && url.endsWith('.html'))
+      url = url.slice(0, url.endsWith('/index.html') ? -10 : -5) || '/'
+
+    return url === '/' || path.extname(url) || trailingSlash === 'ignore'
+      ? url
+      : trailingSlash === 'always'
+      ? url.replace(/\/?$/, '/')
+      : url.replace(/\/+$/, '')
+  }
+
+  function redirect(res, location, status = 301) {
+    const { query } = res[state]
+    res.cork(() => {
+      res.writeStatus(status + ' ' + statuses[status])
+      writeHeaders(res, responseHeaders(res, {
+        'Location': (external.test(location) ? location : prefix + location) +
+          (query && location.indexOf('?') === -1 ? '?' + query : ''),
+        'Vary': varies(res)
+      }, { status }))
+      end(res, '')
+    })
+    done(res, status)
+  }
+
+  async function reloadRedirects() {
+    try {
+      rules = createRedirects(rulesFrom(rulesFile, await fsp.readFile(rulesFile, 'utf8')))
+    } catch (error) {
+      error.code === 'ENOENT' && (rules = null)
+    }
+  }
+
+  function fail(res, req, status, error) {
+    error && (res[state].error = error)
+    res[state].negotiated = true
+    res[state].errorHeaders = x => responseHeaders(res, x, { status })
+
+    if (pages[status] && !custom[status] && !wantsJson(res[state].accept))
+      return errorPage(res, status)
+
+    status === 400 ? badRequest(res, req, badRequestHandler)
+    : status === 403 ? forbidden(res, req, forbiddenHandler)
+    : status === 404 ? notFound(res, req, notFoundHandler)
+    : internalError(res, req, error)
+    done(res, status)
+  }
+
+  async function errorPage(res, status) {
+    res.onAborted(() => aborted(res))
+    let handle
+
+    try {
+      const file = await findErrorPage(res[state].url || '/', pages[status])
+      if (!file)
+        return fallback()
+
+      const type = mimes.get(path.extname(file).slice(1))
+          , head = res[state].method === 'head'
+
+      let compressor = encodings.length ? getEncoding(res[state].encoding, encodings, type) : null
+        , x = cache && caches.get(compressor || 'identity', file)
+
+      if (!x) {
+        handle = await fsp.open(await resolve(file), 'r')
+        const stat = await handle.stat()
+        stat.size < minCompressSize && (compressor = null)
+        x = await load(file, type, compressor, handle, stat)
+        handle = null
+        cache && stat.size < maxCacheSize && caches.set(compressor || 'identity', file, x, x.bytes.length)
+      }
+
+      if (res.aborted)
+        return
+
+      res[state].compressor = x.compressor
+      res.cork(() => {
+        res.writeStatus(status + ' ' + statuses[status])
+        writeHeaders(res, responseHeaders(res, {
+          'Content-Type': x.type,
+          'Content-Encoding': x.compressor,
+          'Vary': varies(res, encodings.length > 0 && compressable.has(type))
+        }, { file, stat: x.stat, type, encoding: x.compressor, status }))
+        head
+          ? res.endWithoutBody(x.bytes.length)
+          : res.end(x.bytes)
+      })
+      done(res, status, head ? 0 : x.bytes.length)
+    } catch (_) {
+      handle && handle.close()
+      fallback()
+    }
+
+    function fallback() {
+      if (res.aborted)
+        return
+
+      errorBody(res, status)
+      done(res, status)
+    }
+  }
+
+  async function findErrorPage(url, name) {
+    if (name[0] === '/')
+      return await canRead(absolute(root, name)) && absolute(root, name)
+
+    for (let dir = url.slice(0, url.lastIndexOf('/')); ; dir = dir.slice(0, dir.lastIndexOf('/'))) {
+      const file = absolute(root, dir, name)
+      if (file.startsWith(rootDir) && await canRead(file))
+        return file
+
+      if (!dir)
+        return
+    }
+  }
+
+  function aborted(res) {
+    res.aborted = true
+    done(res, 499, 0, true)
+  }
+
+  function done(res, status, bytes, aborted = false) {
+    const x = res[state]
+    if (!reporting || x.done)
+      return
+
+    x.done = true
+    const entry = {
+      time: new Date(performance.timeOrigin + x.start),
+      remote: x.remote,
+      method: x.method,
+      url: x.href,
+      query: x.query,
+      file: x.file,
+      status,
+      bytes: bytes === undefined ? x.bytes || 0 : bytes,
+      duration: performance.now() - x.start,
+      cache: x.cache || null,
+      encoding: x.compressor || null,
+      range: x.range || null,
+      referer: x.referer,
+      userAgent: x.userAgent,
+      error: x.error || null,
+      aborted
+    }
+
+    onResponse && onResponse(entry)
+    logger && logger(entry)
+    counters && counters.response(entry)
+  }
+
+  function invalidate(url) {
+    url ? evict(absolute(root, url)) : clear()
+  }
+
+  function clear() {
+    evict(root)
+  }
+
+  function evict(file) {
+    const dir = file + path.sep
+    caches.delete(key => key === file || key.startsWith(dir))
+    for (const map of [lengths, digests, lookups]) {
+      for (const key of map.keys())
+        (key === file || key.startsWith(dir)) && map.delete(key)
+    }
+  }
+
+  function entries() {
+    return caches.entries().map(([encoding, x]) => ({
+      path: x.path,
+      encoding,
+      size: x.bytes.length,
+      mtime: x.mtime
+    }))
+  }
+
+  function close() {
+    watcher && watcher.close()
+    rulesWatcher && rulesWatcher.close()
+  }
+
+  function getState(req, res) {
+    const start = performance.now()
+        , href = req.getUrl()
+        , inside = !prefix || href === prefix || (href.startsWith(prefix) && href.charCodeAt(prefix.length) === 47) // /
+        , url = decode(inside ? href.slice(prefix.length) || '/' : href)
+        , query = req.getQuery()
+        , method = req.getMethod()
         , encoding = req.getHeader('accept-encoding')
         , accept = req.getHeader('accept')
         , range = req.getHeader('range')
-        , ext = path.extname(url).slice(1)
+        , ifRange = req.getHeader('if-range')
+        , ext = url ? path.extname(url).slice(1) : ''
+        , ifMatch = req.getHeader('if-match')
+        , ifNoneMatch = req.getHeader('if-none-match')
+        , ifModifiedSince = req.getHeader('if-modified-since')
+        , ifUnmodifiedSince = req.getHeader('if-unmodified-since')
+
+    const x = { start, href, inside, url, query, method, accept, encoding, range, ifRange, ext, ifMatch, ifNoneMatch, ifModifiedSince, ifUnmodifiedSince }
+
+    if (reporting) {
+      x.remote = Buffer.from(res.getRemoteAddressAsText()).toString()
+      x.referer = req.getHeader('referer')
+      x.userAgent = req.getHeader('user-agent')
+    }
 
-    return { url, accept, encoding, range, ext }
+    return x
   }
 
   async function rewrite(res, req, rewritten) {
+    if (rewritten && typeof rewritten.then === 'function') {
+      req = detach(req)
+      res.onAborted(() => aborted(res))
+      try {
+        rewritten = await rewritten
+      } catch (error) {
+        return res.aborted || fail(res, req, 500, error)
+      }
+
+      if (res.aborted)
+        return
+    }
+
     if (rewritten === true)
       return
 
@@ -82,150 +508,473 @@ export default function ustatic(folder = '', options = {}) {
 
     rewritten
       ? file(res, req, absolute(root, rewritten))
-      : notFound(res, req, notFoundHandler)
+      : fail(res, req, 404)
   }
 
   function file(res, req, file = absolute(root, res[state].url)) {
     const type = mimes.get(res[state].ext) || mimes.get(path.extname(file))
 
-    if (file.indexOf(root) !== 0)
-      return notFound(res, req, notFoundHandler)
+    if (file !== root && !file.startsWith(rootDir))
+      return fail(res, req, 404)
+
+    const url = toUrl(file)
+        , policy = access(url)
+
+    if (policy === 'deny')
+      return fail(res, req, 403)
+
+    if (policy === 'ignore')
+      return fail(res, req, 404)
+
+    res[state].file = file
+
+    control && (res[state].cacheControl = control(url, type))
+    res[state].vary = encodings.length > 0 && compressable.has(type)
+    res[state].headers = typeof headers === 'function' ? headers(url, type) : headers
+    res[state].transforms = transforms.filter(x => x.test(url, type))
 
-    if (res[state].range)
-      return stream(res, req, file, type, res[state].range, {})
+    const ranges = res[state].range && res[state].method === 'get' && parseRange(res[state].range)
+        , direct = ranges && !res[state].transforms.length
 
-    const compressor = compressions && compressions.length
-      ? getEncoding(res[state].encoding, compressions, type)
+    const compressor = !direct && encodings.length
+      ? getEncoding(res[state].encoding, encodings, type)
       : null
 
-    cache && caches[compressor || 'identity'].has(file)
-      ? send(res, caches[compressor || 'identity'].get(file))
-      : read(res, req, file, type, compressor)
+    const cached = !direct && cache && cacheLookup(compressor, file)
+
+    res[state].cache = cached ? 'hit' : 'miss'
+    res[state].compressor = cached ? cached.compressor : compressor
+    cached
+      ? send(res, cached)
+      : read(res, req, file, type, compressor, ranges)
+  }
+
+  function cacheLookup(compressor, file) {
+    const small = compressor && caches.peek('identity', file)
+    return small && small.stat.size < minCompressSize
+      ? caches.get('identity', file)
+      : caches.get(compressor || 'identity', file)
   }
 
-  async function read(res, req, file, type, compressor) {
-    res.onAborted(() => res.aborted = true)
+  async function read(res, req, file, type, compressor, ranges) {
+    req = detach(req)
+    res.onAborted(() => aborted(res))
     let handle
 
     try {
-      handle = await fsp.open(file, 'r')
+      handle = await fsp.open(await resolve(file), 'r')
       const stat = await handle.stat()
 
+      if (stat.isDirectory()) {
+        handle.close()
+        handle = null
+        return listing
+          ? await list(res, req, file)
+          : fail(res, req, 404)
+      }
+
+      const applied = res[state].transforms.filter(x => x.stream || stat.size < minStreamSize)
+
+      if (ranges && !applied.length) {
+        res[state].compressor = null
+        return stream(res, req, file, type, ranges, { handle, stat })
+      }
+
       if (stat.size < minCompressSize)
-        compressor = null
+        compressor = res[state].compressor = null
 
-      if (stat.size >= minStreamSize)
-        return stream(res, req, file, type, '', { handle, stat, compressor })
+      const sidecar = compressor && !applied.length && await openPrecompressed(file, compressor)
+          , size = sidecar ? sidecar.size : stat.size
 
-      const x = {
-        path: file,
-        mtime: stat.mtime,
-        bytes: await handle.readFile(),
-        compressor,
-        type
+      if (sidecar) {
+        handle.close()
+        handle = sidecar.handle
       }
 
-      handle.close()
-      transform && await transform(x)
+      if (size >= minStreamSize)
+        return stream(res, req, file, type, null, { handle, stat, size, compressor, precompressed: !!sidecar, applied })
 
-      if (compressor)
-        x.bytes = await compressors[compressor](x.bytes)
+      const x = await load(file, type, compressor, handle, stat, !!sidecar)
 
-      cache && stat.size < maxCacheSize && caches[compressor || 'identity'].set(file, x)
+      cache && size < maxCacheSize && caches.set(compressor || 'identity', file, x, x.bytes.length)
       res.aborted || send(res, x)
     } catch (error) {
       handle && handle.close()
       res.aborted || (error.code === 'ENOENT' || error.code === 'EISDIR'
-        ? notFound(res, req, notFoundHandler)
-        : internalError(res, req, error)
+        ? fail(res, req, 404)
+        : fail(res, req, 500, error)
       )
     }
   }
 
-  function send(res, { path, bytes, type, mtime, compressor }) {
+  async function load(file, type, compressor, handle, stat, precompressed) {
+    const x = {
+      path: file,
+      stat,
+      mtime: stat.mtime,
+      bytes: await handle.readFile(),
+      compressor,
+      type
+    }
+
+    handle.close()
+
+    const applied = transforms.filter(x => x.test(toUrl(file), type) && (x.stream || stat.size < minStreamSize))
+    for (const t of applied) {
+      t.transform
+        ? await t.transform(x)
+        : x.bytes = await through(x.bytes, t.stream(x))
+    }
+
+    x.transformed = applied.length > 0
+    if (x.transformed || algorithm)
+      x.digest = digest(x.bytes, algorithm || 'sha1')
+
+    if (compressor && !precompressed) {
+      const start = performance.now()
+      x.bytes = await compressors[compressor](x.bytes, compressorOptions(compressor, compression, type, x.bytes.length))
+      counters && counters.compression(performance.now() - start)
+    }
+
+    return x
+  }
+
+  async function warm() {
+    const start = Date.now()
+        , summary = { files: 0, entries: 0, bytes: 0, skipped: 0, errors: 0, duration: 0 }
+        , visited = new Set()
+
+    cache && await walk(root)
+    summary.duration = Date.now() - start
+    return summary
+
+    async function walk(dir) {
+      const real = await fsp.realpath(dir)
+      if (visited.has(real))
+        return
+
+      visited.add(real)
+      for (const x of await fsp.readdir(dir, { withFileTypes: true })) {
+        const file = path.join(dir, x.name)
+        if (access(toUrl(file) + (x.isDirectory() ? '/' : '')) !== 'allow')
+          continue
+
+        try {
+          const stat = await fsp.stat(await resolve(file))
+          stat.isDirectory()
+            ? await walk(file)
+            : stat.isFile() && await preload(file, stat)
+        } catch (error) {
+          error.code === 'ENOENT'
+            ? summary.skipped++
+            : summary.errors++
+        }
+      }
+    }
+
+    async function preload(file, stat) {
+      if (stat.size >= maxCacheSize || stat.size >= minStreamSize)
+        return summary.skipped++
+
+      const type = mimes.get(path.extname(file).slice(1))
+          , compress = stat.size >= minCompressSize && compressable.has(type)
+          , transformed = transforms.some(x => x.test(toUrl(file), type))
+
+      summary.files++
+      for (const compressor of [null, ...(compress ? encodings : [])]) {
+        const sidecar = compressor && !transformed && await openPrecompressed(file, compressor)
+            , handle = sidecar ? sidecar.handle : await fsp.open(await resolve(file), 'r')
+
+        let x
+        try {
+          x = await load(file, type, compressor, handle, stat, !!sidecar)
+        } finally {
+          handle.close()
+        }
+
+        caches.set(compressor || 'identity', file, x, x.bytes.length)
+        summary.entries++
+        summary.bytes += x.bytes.length
+      }
+    }
+  }
+
+  async function list(res, req, dir) {
+    const entries = (await Promise.all(
+      (await fsp.readdir(dir)).filter(x =>
+        (listing.hidden || x[0] !== '.') && access(toUrl(path.join(dir, x))) === 'allow'
+      ).map(async name => {
+        try {
+          const stat = await fsp.stat(await resolve(path.join(dir, name)))
+          return {
+            name,
+            type: stat.isDirectory() ? 'directory' : 'file',
+            size: stat.size,
+            mtime: stat.mtime
+          }
+        } catch (_) {
+          // Skip entries that disappeared or are broken links
+        }
+      })
+    )).filter(x => x)
+
+    if (res.aborted)
+      return
+
+    const { url, href, accept } = res[state]
+        , query = new URLSearchParams(res[state].query || '')
+        , sort = query.get('sort')
+        , order = query.get('order')
+        , isHtml = accept.indexOf('text/html') !== -1
+        , type = isHtml ? 'text/html; charset=utf-8' : 'application/json'
+
+    listings.sortEntries(entries, sort, order)
+
+    res.cork(() => {
+      writeHeaders(res, responseHeaders(res, {
+        'Connection': 'keep-alive',
+        'Content-Type': type,
+        'Vary': 'Accept'
+      }, { file: dir, type, status: 200 }))
+      end(res, isHtml
+        ? listings.html(url, href, entries, sort, order)
+        : listings.json(entries)
+      )
+    })
+    done(res, 200)
+  }
+
+  async function openPrecompressed(file, compressor) {
+    if (!sidecars[compressor])
+      return
+
+    let handle
+    try {
+      handle = await fsp.open(await resolve(file + sidecars[compressor]), 'r')
+      const stat = await handle.stat()
+      if (stat.isFile())
+        return { handle, size: stat.size }
+    } catch (_) {
+      // Fall back to compressing the original
+    }
+    handle && handle.close()
+  }
+
+  function send(res, { path, stat, bytes, type, mtime, compressor, digest, transformed }) {
+    const tag = createEtag(mtime, bytes.length, compressor, digest)
+        , head = res[state].method === 'head'
+
+    if (conditional(res, { file: path, stat, type, encoding: compressor }, tag))
+      return
+
+    res.cork(() => {
+      writeHeaders(res, fileHeaders(res, { file: path, stat, type, encoding: compressor, status: 200 }, tag, {
+        'Accept-Ranges': !transformed && 'bytes',
+        'Content-Type': type,
+        'Content-Encoding': compressor
+      }))
+      head
+        ? res.endWithoutBody(bytes.length)
+        : res.end(bytes)
+    })
+    done(res, 200, head ? 0 : bytes.length)
+  }
+
+  function conditional(res, info, tag) {
+    const status = precondition(res[state], tag, info.stat.mtime)
+    if (!status)
+      return false
+
     res.cork(() => {
-      res.writeHeader('Connection', 'keep-alive')
-      lastModified && res.writeHeader('Last-Modified', mtime.toUTCString())
-      etag && res.writeHeader('ETag', createEtag(mtime, bytes.length, compressor))
-      type && res.writeHeader('Content-Type', type)
-      compressor && res.writeHeader('Content-Encoding', compressor)
-      res.end(bytes)
+      if (status === 412) {
+        res.writeStatus('412 Precondition Failed')
+        writeHeaders(res, responseHeaders(res, {}, { ...info, status }))
+        return end(res, 'Precondition Failed')
+      }
+
+      res.writeStatus('304 Not Modified')
+      writeHeaders(res, fileHeaders(res, { ...info, status }, tag))
+      res.endWithoutBody()
     })
+    done(res, status)
+    return true
   }
 
-  function createEtag(mtime, size, weak) {
-    return (weak ? 'W/' : '') + '"' + Math.floor(mtime.getTime() / 1000).toString(16) + '-' + size.toString(16) + '"'
+  function fileHeaders(res, info, tag, extra) {
+    let x = {
+      'Connection': 'keep-alive',
+      'Last-Modified': lastModified && info.stat.mtime.toUTCString(),
+      'ETag': etag && tag,
+      'Cache-Control': res[state].cacheControl,
+      'Vary': varies(res, res[state].vary),
+      ...extra
+    }
+
+    return responseHeaders(res, x, info)
+  }
+
+  function varies(res, encoding) {
+    return [res[state].negotiated && 'Accept', encoding && 'Accept-Encoding'].filter(x => x).join(', ')
+  }
+
+  function responseHeaders(res, x, info) {
+    const extra = 'headers' in res[state]
+      ? res[state].headers
+      : typeof headers === 'function' ? headers(res[state].url || res[state].href, info.type) : headers
+
+    extra && assignHeaders(x, extra)
+    return onHeaders && onHeaders(x, info) || x
+  }
+
+  function createEtag(mtime, size, encoding, digest) {
+    return digest && algorithm
+      ? '"' + digest + (encoding ? '-' + encoding : '') + '"'
+      : (encoding ? 'W/' : '') + '"' + (digest || Math.floor(mtime.getTime() / 1000).toString(16) + '-' + size.toString(16)) + '"'
   }
 
-  async function stream(res, req, file, type, range, { handle, stat, compressor }) {
-    res.onAborted(cleanup)
+  async function stream(res, req, file, type, ranges, { handle, stat, size, compressor, precompressed, applied = [] }) {
+    res.onAborted(abort)
+    res[state].cache = 'stream'
 
     let stream
+      , streams = []
+      , streaming = false
+      , status = 200
+      , written = 0
 
     try {
-      handle || (handle = await fsp.open(file, 'r'))
-      const { size, mtime } = stat || (await handle.stat())
+      handle || (handle = await fsp.open(await resolve(file), 'r'))
+      stat || (stat = await handle.stat())
+      size === undefined && (size = stat.size)
 
-      if (res.aborted)
+      const mtime = stat.mtime
+          , hashing = applied.length > 0 || !!algorithm
+          , remembered = hashing && rememberedDigest(file, mtime, stat.size)
+          , tag = (!hashing || remembered) && createEtag(mtime, size, compressor, remembered)
+          , info = { file, stat, type, encoding: compressor }
+
+      hashing && !remembered && !applied.length && hashFile(file, mtime, stat.size)
+
+      if (res.aborted || conditional(res, info, tag))
         return cleanup()
 
-      const end = parseInt(range.slice(range.indexOf('-') + 1)) || size - 1
-      const start = parseInt(range.slice(6, range.indexOf('-')) || size - end - 1)
-      const total = end - start + 1
+      const parts = ranges && ifRange(res[state].ifRange, tag, mtime)
+        ? satisfiable(ranges, size)
+        : null
 
-      if (end >= size) {
+      if (parts && !parts.length) {
         res.cork(() => {
           res.writeStatus('416 Range Not Satisfiable')
-          res.writeHeader('Content-Range', 'bytes */' + (size - 1))
-          res.end('Range Not Satisfiable')
+          writeHeaders(res, responseHeaders(res, { 'Content-Range': 'bytes */' + size }, { ...info, status: 416 }))
+          end(res, 'Range Not Satisfiable')
         })
+        done(res, 416)
         return cleanup()
       }
 
+      parts && (status = 206)
+
+      const boundary = parts && parts.length > 1 && crypto.randomBytes(16).toString('hex')
+          , compress = compressor && !precompressed
+          , known = compress && !applied.length && knownLength(file, compressor, mtime, size)
+          , fixed = !applied.length && (!compress || known)
+
+      let total = known || (parts
+        ? parts.reduce((acc, x) => acc + x.end - x.start + 1, 0)
+        : size)
+
+      if (boundary) {
+        parts.forEach((x, i) => {
+          x.head = Buffer.from(
+            (i ? '\r\n' : '') + '--' + boundary + '\r\n' +
+            (type ? 'Content-Type: ' + type + '\r\n' : '') +
+            'Content-Range: bytes ' + x.start + '-' + x.end + '/' + size + '\r\n\r\n'
+          )
+          total += x.head.length
+        })
+        parts.tail = Buffer.from('\r\n--' + boundary + '--\r\n')
+        total += parts.tail.length
+      }
+
+      if (res[state].method === 'head') {
+        res.cork(() => {
+          headers()
+          fixed
+            ? res.endWithoutBody(total)
+            : res.endWithoutBody()
+        })
+        done(res, status, 0)
+        return cleanup()
+      }
+
+      streams = [
+        boundary
+          ? Readable.from(multipart(handle, parts), { objectMode: false })
+          : handle.createReadStream({
+            start: parts ? parts[0].start : 0,
+            end: parts ? parts[0].end : Math.max(size - 1, 0),
+            highWaterMark
+          }),
+        ...applied.map(x => x.stream({ path: file, url: toUrl(file), stat, mtime, size, type })),
+        compress && streamingCompressors[compressor](compressorOptions(compressor, streamCompression, type, size))
+      ].filter(x => x)
 
-      stream = handle.createReadStream({ start, end, highWaterMark })
+      stream = streams.reduce((acc, x) => acc.on('error', error).pipe(x))
 
-      if (compressor)
-        stream = stream.pipe(streamingCompressors[compressor]())
+      applied.length && !remembered && remember(streams[applied.length])
 
       stream.on('error', error)
             .on('close', close)
-            .on('data', compressor ? writeData : tryData)
+            .on('data', fixed ? tryData : writeData)
 
       res.cork(headers)
+      counters && counters.stream(1)
+      streaming = true
 
-      let lastOffset
+      let lastOffset = 0
         , ab
 
-      res.onWritable(compressor
-        ? resumeWrite
-        : resumeTry
+      res.onWritable(fixed
+        ? resumeTry
+        : resumeWrite
       )
 
       function headers() {
-        range ? res.writeStatus('206 Partial Content') : res.writeHeader('Accept-Ranges', 'bytes')
-        res.writeHeader('Connection', 'keep-alive')
-        res.writeHeader('Last-Modified', mtime.toUTCString())
-        res.writeHeader('ETag', createEtag(mtime, size, compressor))
-        compressor && res.writeHeader('Content-Encoding', compressor)
-        range && res.writeHeader('Content-Range', 'bytes ' + start + '-' + end + '/' + size)
-        type && res.writeHeader('Content-Type', type)
+        parts && res.writeStatus('206 Partial Content')
+        writeHeaders(res, fileHeaders(res, { ...info, status }, tag, {
+          'Accept-Ranges': !applied.length && 'bytes',
+          'Content-Encoding': compressor,
+          'Content-Range': parts && !boundary && 'bytes ' + parts[0].start + '-' + parts[0].end + '/' + size,
+          'Content-Type': boundary ? 'multipart/byteranges; boundary=' + boundary : type
+        }))
+      }
+
+      function remember(x) {
+        const hash = crypto.createHash(algorithm || 'sha1')
+        x.on('data', x => hash.update(x))
+         .on('end', () => digests.set(file, { mtime, size: stat.size, digest: hash.digest('base64url') }))
       }
 
       function error(x) {
-        res.aborted || internalError(res, req, x)
+        res.aborted || fail(res, req, 500, x)
         cleanup()
       }
 
       function close() {
-        res.aborted || res.end()
+        if (!res.aborted) {
+          compress && lengths.set(file, { ...lengths.get(file), [compressor]: { mtime, size, length: written } })
+          res.end()
+          done(res, status, written)
+        }
         cleanup()
       }
 
       function writeData(x) {
-        res.aborted
-          ? cleanup()
-          : res.write(x) || stream.pause()
+        if (res.aborted)
+          return cleanup()
+
+        written += x.length
+        res.write(x) || stream.pause()
       }
 
       function tryData(x) {
@@ -235,10 +984,11 @@ export default function ustatic(folder = '', options = {}) {
         ab = x.buffer.slice(x.byteOffset, x.byteOffset + x.byteLength)
 
         lastOffset = res.getWriteOffset()
-        const [ok, done] = res.tryEnd(ab, total)
+        const [ok, ended] = res.tryEnd(ab, total)
 
-        done
-          ? (stream.destroy(), res.aborted = true)
+        written = lastOffset
+        ended
+          ? (stream.destroy(), res.aborted = true, done(res, status, total))
           : ok || stream.pause()
       }
 
@@ -251,72 +1001,598 @@ export default function ustatic(folder = '', options = {}) {
         if (res.aborted)
           return cleanup()
 
-        const [ok, done] = res.tryEnd(ab.slice(offset - lastOffset), total)
-        done ? cleanup() : ok && stream.resume()
+        const [ok, ended] = res.tryEnd(ab.slice(offset - lastOffset), total)
+        ended ? (done(res, status, total), cleanup()) : ok && stream.resume()
         return ok
       }
     } catch (error) {
       res.aborted || (error.code === 'ENOENT' || error.code === 'EISDIR'
-        ? notFound(res, req, notFoundHandler)
-        : internalError(res, req, error)
+        ? fail(res, req, 404)
+        : fail(res, req, 500, error)
       )
       cleanup()
     }
 
+    function abort() {
+      res.aborted || done(res, status, written, true)
+      cleanup()
+    }
+
     function cleanup() {
+      streaming && counters && counters.stream(-1)
+      streaming = false
       res.aborted = true
       handle && handle.close()
-      stream && stream.destroy()
+      streams.forEach(x => x.destroy())
+      streams = []
       stream = handle = null
     }
   }
 
+  function rememberedDigest(file, mtime, size) {
+    const x = digests.get(file)
+    return x && x.size === size && x.mtime.getTime() === mtime.getTime() && x.digest
+  }
+
+  function hashFile(file, mtime, size) {
+    const x = digests.get(file)
+    if (x && x.size === size && x.mtime.getTime() === mtime.getTime())
+      return
+
+    const hash = crypto.createHash(algorithm)
+        , entry = { mtime, size }
+
+    digests.set(file, entry)
+    fs.createReadStream(file, { highWaterMark })
+      .on('data', x => hash.update(x))
+      .on('end', () => entry.digest = hash.digest('base64url'))
+      .on('error', () => digests.get(file) === entry && digests.delete(file))
+  }
+
+  function knownLength(file, compressor, mtime, size) {
+    const x = lengths.has(file) && lengths.get(file)[compressor]
+    return x && x.size === size && x.mtime.getTime() === mtime.getTime() && x.length
+  }
+
+  async function* multipart(handle, parts) {
+    for (const x of parts) {
+      yield x.head
+      yield* handle.createReadStream({ start: x.start, end: x.end, highWaterMark, autoClose: false })
+    }
+    yield parts.tail
+  }
+
+  function compressorOptions(encoding, options, type, size) {
+    const x = options[encoding] || {}
+        , { constants } = zlib
+
+    if (encoding === 'br') {
+      const quality = x.quality === undefined ? x.level : x.quality
+      return {
+        params: {
+          [constants.BROTLI_PARAM_MODE]: brotliModes[x.mode] === undefined ? brotliMode(type) : brotliModes[x.mode],
+          [constants.BROTLI_PARAM_SIZE_HINT]: size,
+          ...(quality !== undefined && { [constants.BROTLI_PARAM_QUALITY]: quality }),
+          ...(x.window !== undefined && { [constants.BROTLI_PARAM_LGWIN]: x.window })
+        }
+      }
+    }
+
+    if (encoding === 'zstd') {
+      return {
+        params: {
+          [constants.ZSTD_c_compressionLevel]: x.level === undefined ? zstdLevel : x.level,
+          ...(x.window !== undefined && { [constants.ZSTD_c_windowLog]: x.window })
+        }
+      }
+    }
+
+    return {
+      ...(x.level !== undefined && { level: x.level }),
+      ...(x.window !== undefined && { windowBits: x.window }),
+      ...(x.memLevel !== undefined && { memLevel: x.memLevel })
+    }
+  }
+
+  function toUrl(file) {
+    return '/' + file.slice(rootDir.length).split(path.sep).join('/')
+  }
+
+  async function resolve(file) {
+    const real = await fsp.realpath(file)
+    if (!followable(file, real))
+      throw Object.assign(new Error('Symbolic link not allowed ' + file), { code: 'ENOENT' })
+
+    return real
+  }
+
+  function followable(file, real) {
+    const direct = real === path.join(realRoot, path.relative(root, file))
+        , inside = real === realRoot || real.startsWith(realRootDir)
+
+    return direct || (symlinks !== 'deny' && (inside
+      ? access('/' + path.relative(realRoot, real).split(path.sep).join('/')) === 'allow'
+      : symlinks === 'follow'
+    ))
+  }
+
+  async function indexResolve(url, ext) {
+    return await canRead(absolute(root, url, 'index' + ext))
+      ? url + '/index' + ext
+      : await canRead(absolute(root, url + ext)) && url + ext
+  }
+
+  async function canRead(x) {
+    const stat = await lookup(x)
+    return !!stat && stat.isFile()
+  }
+
+  function lookup(file) {
+    const x = lookups.get(file)
+    if (x && x.expires > performance.now())
+      return x.stat
+
+    x && lookups.delete(file)
+    const stat = followableStat(file)
+
+    if (statCacheTtl > 0) {
+      lookups.set(file, { stat, expires: performance.now() + statCacheTtl })
+      lookups.size > statCacheSize && lookups.delete(lookups.keys().next().value)
+    }
+
+    return stat
+  }
+
+  async function followableStat(file) {
+    try {
+      const stat = await fsp.stat(file)
+      return followable(file, await fsp.realpath(file))
+        ? stat
+        : null
+    } catch (_) {
+      return null
+    }
+  }
+
+  function access(url) {
+    return url === rulesUrl
+      ? 'ignore'
+      : denied.some(x => x.test(url))
+      ? 'deny'
+      : dotfiles === 'allow' || allowed.some(x => x.test(url)) || !/\/\./.test(url)
+      ? 'allow'
+      : dotfiles
+  }
+
   function indexHandler(res, req, next) {
     const url = res[state].url
     url.charCodeAt(url.length - 1) === 47 && (res[state].url = url.slice(0, -1)) // /
-    return cache && indexes.has(url)
-      ? indexes.get(url)
-      : findIndex(res, req)
+    return findIndex(res, req)
   }
 
-  function findIndex(res, req) {
+  async function findIndex(res, req) {
     const url = res[state].url
-    if (canRead(absolute(root, url)))
+    res[state].negotiated = true
+    if (await canRead(absolute(root, url)))
       return url
 
+    const clean = cleanUrls
+      ? await indexResolve(url, '.html')
+      : trailingSlash !== 'ignore' && await canRead(absolute(root, url, 'index.html')) && url + '/index.html'
+
+    if (clean)
+      return clean
+
     const rewrite = res[state].accept.indexOf('text/html') === 0
-      ? indexResolve(res, url, '.html', root)
-      : res[state].accept === '*/*' && indexResolve(res, url, '.js', root)
+      ? await indexResolve(url, '.html')
+      : res[state].accept === '*/*' && await indexResolve(url, '.js')
 
     if (!rewrite)
-      return url
+      return shell && res[state].accept.indexOf('text/html') !== -1 && !(listing && await isDirectory(absolute(root, url))) ? shell : url
 
-    res.writeStatus('301 Moved Permanently')
-    res.writeHeader('Location', rewrite)
-    res.end()
+    res.aborted || redirect(res, encodePath(rewrite))
     return true
   }
 
+  async function isDirectory(x) {
+    const stat = await lookup(x)
+    return !!stat && stat.isDirectory()
+  }
+
+}
+
+function createCache(max) {
+  const maps = {}
+      , counters = {}
+
+  let clock = 0
+    , bytes = 0
+
+  return { get, peek, set, delete: remove, entries, stats }
+
+  function counter(encoding) {
+    return counters[encoding] || (counters[encoding] = { hits: 0, misses: 0, evictions: 0, bytes: 0, entries: 0 })
+  }
+
+  function get(encoding, key) {
+    const map = maps[encoding]
+        , x = map && map.get(key)
+
+    counter(encoding)[x ? 'hits' : 'misses']++
+    if (!x)
+      return
+
+    map.delete(key)
+    map.set(key, x)
+    x.used = ++clock
+    return x.value
+  }
+
+  function peek(encoding, key) {
+    const x = maps[encoding] && maps[encoding].get(key)
+    return x && x.value
+  }
+
+  function set(encoding, key, value, size) {
+    const map = maps[encoding] || (maps[encoding] = new Map())
+    map.has(key) && drop(encoding, key)
+
+    if (size > max)
+      return
+
+    map.set(key, { value, size, used: ++clock })
+    bytes += size
+    counter(encoding).bytes += size
+    counter(encoding).entries++
+
+    while (bytes > max)
+      evictOldest()
+  }
+
+  function remove(fn) {
+    for (const encoding in maps) {
+      for (const key of maps[encoding].keys())
+        fn(key, encoding) && drop(encoding, key)
+    }
+  }
+
+  function drop(encoding, key) {
+    const x = maps[encoding].get(key)
+    maps[encoding].delete(key)
+    bytes -= x.size
+    counter(encoding).bytes -= x.size
+    counter(encoding).entries--
+  }
+
+  function evictOldest() {
+    let oldest
+      , encoding
+
+    for (const x in maps) {
+      const first = maps[x].entries().next().value
+      if (first && (!oldest || first[1].used < oldest[1].used)) {
+        oldest = first
+        encoding = x
+      }
+    }
+
+    drop(encoding, oldest[0])
+    counter(encoding).evictions++
+  }
+
+  function entries() {
+    return Object.entries(maps).flatMap(([encoding, map]) =>
+      [...map.values()].map(x => [encoding, x.value])
+    )
+  }
+
+  function stats() {
+    const total = { hits: 0, misses: 0, evictions: 0, bytes: 0, entries: 0, encodings: {} }
+    for (const encoding in counters) {
+      const x = total.encodings[encoding] = { ...counters[encoding] }
+      for (const key in x)
+        total[key] += x[key]
+    }
+    return total
+  }
+}
+
+function detach(req) {
+  if (req.detached)
+    return req
+
+  const url = req.getUrl()
+      , method = req.getMethod()
+      , query = req.getQuery()
+      , headers = []
+
+  req.forEach((key, value) => headers.push([key, value]))
+
+  return {
+    detached: true,
+    getUrl: () => url,
+    getMethod: () => method,
+    getQuery: key => key ? new URLSearchParams(query).get(key) || undefined : query,
+    getHeader: key => (headers.find(x => x[0] === key) || [])[1] || '',
+    forEach: fn => headers.forEach(([key, value]) => fn(key, value))
+  }
+}
+
+function oneOf(name, x, xs) {
+  if (xs.indexOf(x) === -1)
+    throw new Error('Unknown ' + name + ' ' + x + ', use one of ' + xs.join(', '))
+}
+
+function watchTree(dir, fn, error) {
+  try {
+    const watcher = fs.watch(dir, { recursive: true }, fn).on('error', error)
+    watcher.unref()
+    return watcher
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM')
+      throw error
+  }
+
+  // Recursive watching is missing on linux before Node 19.1, so watch every folder instead
+  const watchers = new Map()
+  add(dir)
+
+  return {
+    close: () => watchers.forEach(x => x.close())
+  }
+
+  function add(x) {
+    if (watchers.has(x))
+      return
+
+    const watcher = fs.watch(x, (event, name) => {
+      const file = name ? path.join(x, name) : x
+      fn(event, path.relative(dir, file))
+      name && update(file)
+    }).on('error', () => {
+      remove(x)
+      error()
+    })
+
+    watcher.unref()
+    watchers.set(x, watcher)
+    fs.readdirSync(x, { withFileTypes: true }).forEach(d => d.isDirectory() && update(path.join(x, d.name)))
+  }
+
+  function update(file) {
+    try {
+      fs.lstatSync(file).isDirectory() && add(file)
+    } catch (_) {
+      remove(file)
+    }
+  }
+
+  function remove(x) {
+    for (const [key, watcher] of watchers) {
+      if (key === x || key.startsWith(x + path.sep)) {
+        watcher.close()
+        watchers.delete(key)
+      }
+    }
+  }
+}
+
+function createTransform(x) {
+  typeof x === 'function' && (x = { transform: x })
+
+  const match = x.match && [].concat(x.match).map(toRegExp)
+      , types = x.types && [].concat(x.types)
+
+  return {
+    transform: x.transform,
+    stream: x.stream,
+    test: (url, type) =>
+      (!match || match.some(x => x.test(url))) &&
+      (!types || types.some(x => x.endsWith('/*') ? !!type && type.startsWith(x.slice(0, -1)) : x === type))
+  }
 }
 
-function indexResolve(res, url, ext, root) {
-  return canRead(absolute(root, url, 'index' + ext))
-    ? url + '/index' + ext
-    : canRead(absolute(root, url + ext)) && url + ext
+function through(bytes, stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', x => chunks.push(x))
+          .on('end', () => resolve(Buffer.concat(chunks)))
+          .on('error', reject)
+          .end(bytes)
+  })
+}
+
+function digest(x, algorithm) {
+  return crypto.createHash(algorithm).update(x).digest('base64url')
 }
 
-function canRead(x) {
+function brotliMode(type) {
+  return /font|ttf|otf|eot/.test(type)
+    ? brotliModes.font
+    : /^text\/|json|javascript|xml/.test(type)
+    ? brotliModes.text
+    : brotliModes.generic
+}
+
+function writeHeaders(res, headers) {
+  for (const key in headers)
+    headers[key] && res.writeHeader(key, String(headers[key]))
+}
+
+function assignHeaders(target, source) {
+  for (const key in source) {
+    const lower = key.toLowerCase()
+    for (const x in target)
+      x.toLowerCase() === lower && delete target[x]
+    target[key] = source[key]
+  }
+  return target
+}
+
+function createCacheControl(x) {
+  if (typeof x === 'function')
+    return x
+
+  if (typeof x === 'string')
+    return x === 'auto' ? autoCacheControl : () => x
+
+  const rules = (Array.isArray(x) ? x : Object.entries(x)).map(([pattern, value]) => [toRegExp(pattern), value])
+
+  return (url, type) => {
+    const rule = rules.find(([pattern]) => pattern.test(url))
+    return rule && (
+      rule[1] === 'auto' ? autoCacheControl(url, type)
+      : typeof rule[1] === 'function' ? rule[1](url, type)
+      : rule[1]
+    )
+  }
+}
+
+function autoCacheControl(url, type) {
+  return type === 'text/html'
+    ? 'no-cache'
+    : hashed.test(url)
+    ? immutable
+    : undefined
+}
+
+function toRegExp(x) {
+  if (x instanceof RegExp)
+    return x
+
+  return new RegExp(
+    (x.indexOf('/') === -1 ? '(?:^|/)' : x[0] === '/' ? '^' : '^/') +
+    x.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*\*\/|\*\*|\*|\?/g, x =>
+      x === '**/' ? '(?:.*/)?'
+      : x === '**' ? '.*'
+      : x === '*' ? '[^/]*'
+      : '[^/]'
+    ) + '$'
+  )
+}
+
+function decode(x) {
   try {
-    return fs.statSync(x).isFile()
+    x = decodeURIComponent(x)
+    return x.indexOf('\0') === -1 ? x : null
   } catch (_) {
-    return
+    return null
+  }
+}
+
+function realpath(x) {
+  try {
+    return fs.realpathSync(x)
+  } catch (_) {
+    return x
+  }
+}
+
+function readRedirects(file) {
+  try {
+    return createRedirects(rulesFrom(file, fs.readFileSync(file, 'utf8')))
+  } catch (error) {
+    if (error.code !== 'ENOENT')
+      throw error
   }
 }
 
+function rulesFrom(file, text) {
+  if (!file.endsWith('.json'))
+    return parseRedirects(text)
+
+  const x = JSON.parse(text)
+  return Array.isArray(x) ? x : x.redirects || []
+}
+
+function encodePath(x) {
+  return x.split('/').map(encodeURIComponent).join('/')
+}
+
 function absolute(root, url, ...xs) {
   return path.join(root, ...url.split('/'), ...xs)
 }
 
+function precondition(x, tag, mtime) {
+  if (x.ifMatch
+    ? !matchEtag(x.ifMatch, tag, false)
+    : since(mtime, x.ifUnmodifiedSince) > 0)
+    return 412
+
+  const safe = x.method === 'get' || x.method === 'head'
+
+  if (x.ifNoneMatch)
+    return matchEtag(x.ifNoneMatch, tag, true) ? (safe ? 304 : 412) : 0
+
+  if (safe && since(mtime, x.ifModifiedSince) <= 0)
+    return 304
+}
+
+function matchEtag(x, tag, weak) {
+  if (x.trim() === '*')
+    return true
+
+  if (!tag)
+    return false
+
+  if (!weak && tag.charCodeAt(0) === 87) // W
+    return false
+
+  weak && (tag = tag.replace(/^W\//, ''))
+  return x.split(',').some(x => (x = x.trim(), weak ? x.replace(/^W\//, '') === tag : x === tag))
+}
+
+function ifRange(x, tag, mtime) {
+  if (!x)
+    return true
+
+  return x.charCodeAt(0) === 34 || x.charCodeAt(0) === 87 // " W
+    ? !!tag && tag.charCodeAt(0) !== 87 && x === tag
+    : since(mtime, x) === 0
+}
+
+function parseRange(x) {
+  const match = x.match(/^\s*bytes\s*=(.+)$/i)
+  if (!match)
+    return
+
+  const ranges = []
+  for (const spec of match[1].split(',')) {
+    const [, start, end] = spec.trim().match(/^(\d*)-(\d*)$/) || []
+    if ((!start && !end) || (start && end && +end < +start))
+      return
+
+    ranges.push({
+      start: start ? +start : null,
+      end: end ? +end : null
+    })
+  }
+  return ranges
+}
+
+function satisfiable(ranges, size) {
+  return ranges
+    .map(({ start, end }) => start === null
+      ? { start: Math.max(0, size - end), end: size - 1 }
+      : { start, end: end === null || end >= size ? size - 1 : end }
+    )
+    .filter(x => x.start < size && x.start <= x.end)
+    .sort((a, b) => a.start - b.start)
+    .reduce((acc, x) => {
+      const last = acc[acc.length - 1]
+      last && x.start <= last.end + 1
+        ? last.end = Math.max(last.end, x.end)
+        : acc.push(x)
+      return acc
+    }, [])
+}
+
+function since(mtime, x) {
+  return x
+    ? Math.floor(mtime.getTime() / 1000) - Math.floor(Date.parse(x) / 1000)
+    : NaN
+}
+
 function getEncoding(x, supported, type) {
   if (!x)
     return
@@ -342,15 +1618,43 @@ function parseAcceptEncoding(x, compressions = []) {
 }
 
 function notFoundHandler(res) {
-  res.cork(() => {
-    res.writeStatus('404 Not Found')
-    res.end('Not Found')
-  })
+  errorBody(res, 404)
 }
 
-function internalErrorHandler(res, req, error) {
+function badRequestHandler(res) {
+  errorBody(res, 400)
+}
+
+function forbiddenHandler(res) {
+  errorBody(res, 403)
+}
+
+function internalErrorHandler(res) {
+  errorBody(res, 500)
+}
+
+function errorBody(res, status) {
+  const json = !!res[state] && wantsJson(res[state].accept)
+      , headers = { 'Content-Type': json && 'application/json', 'Vary': 'Accept' }
+
   res.cork(() => {
-    res.writeStatus('500 Internal Server Error')
-    res.end('Internal Server Error: ' + error.code)
+    res.writeStatus(status + ' ' + statuses[status])
+    writeHeaders(res, res[state] && res[state].errorHeaders ? res[state].errorHeaders(headers) : headers)
+    end(res, json
+      ? JSON.stringify({ status, error: statuses[status] })
+      : statuses[status]
+    )
   })
 }
+
+function wantsJson(x) {
+  return !!x && x.indexOf('json') !== -1 && x.indexOf('text/html') === -1
+}
+
+function end(res, body) {
+  const head = res[state] && res[state].method === 'head'
+  res[state] && (res[state].bytes = head ? 0 : Buffer.byteLength(body))
+  head
+    ? res.endWithoutBody(Buffer.byteLength(body))
+    : res.end(body)
+}
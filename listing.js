@@ -0,0 +1,61 @@
+const columns = ['name', 'size', 'mtime']
+
+export function sortEntries(entries, sort, order) {
+  const key = columns.indexOf(sort) === -1 ? 'name' : sort
+      , direction = order === 'desc' ? -1 : 1
+
+  return entries.sort((a, b) =>
+    a.type !== b.type
+      ? a.type === 'directory' ? -1 : 1
+      : direction * (key === 'name'
+        ? a.name.localeCompare(b.name)
+        : a[key] - b[key]
+      )
+  )
+}
+
+export function json(entries) {
+  return JSON.stringify(entries.map(x => ({
+    name: x.name,
+    type: x.type,
+    size: x.size,
+    mtime: x.mtime.toISOString()
+  })))
+}
+
+export function html(url, href, entries, sort, order) {
+  const dir = href.charCodeAt(href.length - 1) === 47 ? href : href + '/' // /
+      , title = escape(url || '/')
+
+  return '<!doctype html>'
+    + '<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width">'
+    + '<title>Index of ' + title + '</title>'
+    + '<style>body{font:14px/1.5 system-ui,sans-serif;margin:2em}table{border-collapse:collapse}'
+    + 'th,td{text-align:left;padding:2px 24px 2px 0}td+td,th+th{text-align:right}a{text-decoration:none}</style>'
+    + '</head><body><h1>Index of ' + title + '</h1><table><thead><tr>'
+    + columns.map(x => '<th><a href="?sort=' + x + '&amp;order='
+      + (x === sort && order !== 'desc' ? 'desc' : 'asc') + '">'
+      + (x === 'mtime' ? 'Modified' : x[0].toUpperCase() + x.slice(1)) + '</a></th>'
+    ).join('')
+    + '</tr></thead><tbody>'
+    + (url && url !== '/' ? '<tr><td><a href="' + escape(dir) + '../">../</a></td><td></td><td></td></tr>' : '')
+    + entries.map(x => {
+      const name = x.name + (x.type === 'directory' ? '/' : '')
+      return '<tr><td><a href="' + escape(dir + encodeURIComponent(x.name) + (x.type === 'directory' ? '/' : '')) + '">'
+        + escape(name) + '</a></td>'
+        + '<td>' + (x.type === 'directory' ? '-' : bytes(x.size)) + '</td>'
+        + '<td>' + x.mtime.toISOString().slice(0, 19).replace('T', ' ') + '</td></tr>'
+    }).join('')
+    + '</tbody></table></body></html>'
+}
+
+function bytes(x) {
+  let i = 0
+  while (x >= 1024 && i < 4)
+    x /= 1024, i++
+  return (i ? x.toFixed(1) : x) + ' ' + ['B', 'kB', 'MB', 'GB', 'TB'][i]
+}
+
+function escape(x) {
+  return x.replace(/[&<>"']/g, x => '&#' + x.charCodeAt(0) + ';')
+}
@@ -0,0 +1,90 @@
+import fs from 'fs'
+
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+export const formats = {
+  common,
+  combined: x => common(x) + ' "' + quote(x.referer) + '" "' + quote(x.userAgent) + '"',
+  json: x => JSON.stringify({
+    time: x.time.toISOString(),
+    remote: x.remote,
+    method: x.method.toUpperCase(),
+    url: x.url + (x.query ? '?' + x.query : ''),
+    status: x.status,
+    bytes: x.bytes,
+    encoding: x.encoding,
+    cache: x.cache,
+    range: x.range,
+    duration: Math.round(x.duration * 1000) / 1000,
+    referer: x.referer || null,
+    userAgent: x.userAgent || null,
+    error: x.error ? x.error.message : null,
+    aborted: x.aborted
+  })
+}
+
+export default function createLog(options) {
+  const {
+    format = 'combined',
+    file,
+    write
+  } = typeof options === 'string' ? { format: options }
+    : typeof options === 'function' ? { write: options }
+    : options === true ? {}
+    : options
+
+  const formatter = typeof format === 'function' ? format : formats[format]
+  if (!formatter)
+    throw new Error('Unknown log format ' + format)
+
+  const out = write || batched(file
+    ? fileWriter(file)
+    : (x, fn) => process.stdout.write(x, () => fn())
+  )
+
+  return x => out(formatter(x))
+}
+
+function common(x) {
+  return (x.remote || '-') + ' - - [' + date(x.time) + '] "'
+    + x.method.toUpperCase() + ' ' + quote(x.url + (x.query ? '?' + x.query : '')) + ' HTTP/1.1" '
+    + x.status + ' ' + (x.bytes || '-')
+}
+
+function fileWriter(file) {
+  const fd = fs.openSync(file, 'a')
+  return (x, fn) => fs.write(fd, x, () => fn())
+}
+
+function batched(write) {
+  let lines = []
+    , busy = false
+
+  return line => {
+    lines.push(line)
+    busy || flush()
+  }
+
+  function flush() {
+    if (!lines.length)
+      return busy = false
+
+    busy = true
+    const chunk = lines.join('\n') + '\n'
+    lines = []
+    write(chunk, flush)
+  }
+}
+
+function date(x) {
+  return pad(x.getUTCDate()) + '/' + months[x.getUTCMonth()] + '/' + x.getUTCFullYear()
+    + ':' + pad(x.getUTCHours()) + ':' + pad(x.getUTCMinutes()) + ':' + pad(x.getUTCSeconds()) + ' +0000'
+}
+
+function pad(x) {
+  return x < 10 ? '0' + x : '' + x
+}
+
+function quote(x) {
+  return x ? x.replace(/["\\]/g, '\\$&').replace(/[\x00-\x1f]/g, '') : '-' // eslint-disable-line
+}
@@ -0,0 +1,86 @@
+const cacheMetrics = [
+  ['hits', 'counter', 'Cache lookups answered from memory'],
+  ['misses', 'counter', 'Cache lookups that had to read the file'],
+  ['evictions', 'counter', 'Cache entries evicted to stay within maxCacheMemory'],
+  ['bytes', 'gauge', 'Bytes held in the cache'],
+  ['entries', 'gauge', 'Entries held in the cache']
+]
+
+export default function createMetrics(cache) {
+  const requests = {}
+      , bytes = {}
+
+  let aborted = 0
+    , streams = 0
+    , compressions = 0
+    , compressionSeconds = 0
+
+  return { response, stream, compression, snapshot }
+
+  function response(x) {
+    x.aborted
+      ? aborted++
+      : requests[x.status] = (requests[x.status] || 0) + 1
+    bytes[x.encoding || 'identity'] = (bytes[x.encoding || 'identity'] || 0) + x.bytes
+  }
+
+  function stream(x) {
+    streams += x
+  }
+
+  function compression(ms) {
+    compressions++
+    compressionSeconds += ms / 1000
+  }
+
+  function snapshot() {
+    return {
+      requests: { ...requests },
+      bytes: { ...bytes },
+      aborted,
+      streams,
+      compressions,
+      compressionSeconds,
+      cache: cache.stats().encodings
+    }
+  }
+}
+
+export function merge(...xs) {
+  return xs.reduce((acc, x) => add(acc, x), {})
+}
+
+function add(a, b) {
+  for (const key in b) {
+    a[key] = typeof b[key] === 'object'
+      ? add(a[key] || {}, b[key])
+      : (a[key] || 0) + b[key]
+  }
+  return a
+}
+
+export function format(x) {
+  return [
+    metric('ustatic_requests_total', 'counter', 'Completed responses by status code', 'status', x.requests),
+    metric('ustatic_bytes_total', 'counter', 'Body bytes sent by content encoding', 'encoding', x.bytes),
+    metric('ustatic_aborted_total', 'counter', 'Responses aborted by the client', null, x.aborted),
+    metric('ustatic_active_streams', 'gauge', 'Files currently being streamed', null, x.streams),
+    metric('ustatic_compressions_total', 'counter', 'Buffered compressions performed', null, x.compressions),
+    metric('ustatic_compression_seconds_total', 'counter', 'Time spent in buffered compression', null, x.compressionSeconds),
+    ...cacheMetrics.map(([name, type, help]) =>
+      metric('ustatic_cache_' + name + (type === 'counter' ? '_total' : ''), type, help, 'encoding',
+        Object.fromEntries(Object.entries(x.cache || {}).map(([encoding, x]) => [encoding, x[name]]))
+      )
+    )
+  ].join('\n') + '\n'
+}
+
+function metric(name, type, help, label, x) {
+  return [
+    '# HELP ' + name + ' ' + help,
+    '# TYPE ' + name + ' ' + type,
+    ...(label
+      ? Object.entries(x || {}).map(([key, value]) => name + '{' + label + '="' + key + '"} ' + value)
+      : [name + ' ' + (x || 0)])
+  ].join('\n')
+}
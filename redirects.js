@@ -0,0 +1,89 @@
+const statuses = [200, 301, 302, 307, 308]
+    , external = /^[a-z][a-z\d+.-]*:/i
+
+export function parse(text) {
+  const rules = []
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const xs = line.trim().split(/\s+/)
+    if (!xs[0] || xs[0][0] === '#')
+      return
+
+    const from = xs.shift()
+        , query = {}
+
+    while (xs.length > 1 && xs[0].indexOf('=') > 0 && xs[0][0] !== '/' && !external.test(xs[0])) {
+      const [key, value] = xs.shift().split('=')
+      query[key] = value
+    }
+
+    const to = xs.shift()
+        , [, status, force] = (xs.shift() || '301').match(/^(\d{3})(!)?$/) || []
+
+    if (!to || !status || xs.length)
+      throw new Error('Invalid redirect on line ' + (i + 1) + ': ' + line.trim())
+
+    rules.push({ from, to, status: +status, force: !!force, query })
+  })
+
+  return rules
+}
+
+export default function createRedirects(rules) {
+  const compiled = rules.map(compile)
+      , queried = rules.some(x => x.query && Object.keys(x.query).length)
+
+  return (url, query) => {
+    const params = queried && new URLSearchParams(query || '')
+    for (const x of compiled) {
+      const match = x(url, params)
+      if (match)
+        return match
+    }
+  }
+}
+
+function compile({ from, to, status = 301, force = false, query = {} }) {
+  if (statuses.indexOf(status) === -1)
+    throw new Error('Unsupported redirect status ' + status + ' for ' + from)
+
+  if (status === 200 && external.test(to))
+    throw new Error('Rewrites must point to a path, got ' + to)
+
+  const names = []
+      , pattern = new RegExp('^' + (from.length > 1 ? from.replace(/\/$/, '') : '')
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/:(\w+)|\*/g, (_, name) => (names.push(name || 'splat'), name ? '([^/]+)' : '(.*)'))
+        + '/?$'
+      )
+
+  return (url, params) => {
+    const match = url.match(pattern)
+    if (!match)
+      return
+
+    const values = {}
+    names.forEach((x, i) => values[x] = match[i + 1])
+
+    for (const key in query) {
+      const value = params.get(key)
+      if (value === null)
+        return
+
+      if (query[key][0] === ':')
+        values[query[key].slice(1)] = value
+      else if (query[key] !== value)
+        return
+    }
+
+    return {
+      status,
+      force,
+      to: to.replace(/:(\w+)/g, (x, name) => name in values ? encode(values[name]) : x)
+    }
+  }
+}
+
+function encode(x) {
+  return x.split('/').map(encodeURIComponent).join('/')
+}